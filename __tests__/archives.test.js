@@ -0,0 +1,153 @@
+/**
+ * @jest-environment jsdom
+ */
+const zlib = require('zlib');
+const { ReadableStream, DecompressionStream } = require('stream/web');
+const { TextDecoder, TextEncoder } = require('util');
+
+// jsdom lacks streams and text codecs; entries are inflated through DecompressionStream
+global.ReadableStream = global.ReadableStream || ReadableStream;
+global.DecompressionStream = global.DecompressionStream || DecompressionStream;
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const { zipStream, archiveFormat, readZip, readTar, zipEntryBytes, archiveFolder } = require('../soulful-thumbs.user.js');
+
+const bytes = (s) => new TextEncoder().encode(s);
+const text = (b) => new TextDecoder().decode(b);
+
+// In-memory stand-in for ranged reads, counting how much was asked for
+function sourceOf(data) {
+  const source = {
+    size: data.length,
+    requested: 0,
+    read: async (start, end) => {
+      source.requested += Math.min(end, data.length) - start;
+      return data.subarray(start, Math.min(end, data.length));
+    }
+  };
+  return source;
+}
+
+async function zipOf(files) {
+  const reader = zipStream(files.map(([path, body]) => ({
+    path,
+    date: '2024-05-06T07:08:10',
+    data: async () => new ReadableStream({ start(c) { c.enqueue(bytes(body)); c.close(); } })
+  }))).getReader();
+  const parts = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+  }
+  return Uint8Array.from(Buffer.concat(parts));
+}
+
+// One 512-byte ustar header plus the padded body
+function tarEntry(name, body = '', type = '0') {
+  const head = new Uint8Array(512);
+  const put = (s, at) => head.set(bytes(s), at);
+  put(name, 0);
+  put('0000644\0', 100);
+  put(`${body.length.toString(8).padStart(11, '0')}\0`, 124);
+  put(`${(1714979290).toString(8)}\0`, 136);
+  put('        ', 148);
+  put(type, 156);
+  put('ustar\x0000', 257);
+  const sum = head.reduce((n, b) => n + b, 0);
+  put(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+  const data = new Uint8Array(Math.ceil(body.length / 512) * 512);
+  data.set(bytes(body));
+  return [...head, ...data];
+}
+const tarOf = (...entries) => Uint8Array.from([...entries.flat(), ...new Uint8Array(1024)]);
+
+describe('archive formats', () => {
+  test('are told apart by extension', () => {
+    expect(['a.zip', 'b.TAR', 'c.tar.gz', 'd.tgz', 'e.gz', 'f.rar'].map(archiveFormat)).toEqual(['zip', 'tar', 'tgz', 'tgz', null, null]);
+  });
+});
+
+describe('zip', () => {
+  test('lists entries from the central directory and reads one without the rest', async () => {
+    const big = 'x'.repeat(500000);
+    const source = sourceOf(await zipOf([['photos/a.jpg', 'AAA'], ['big.bin', big], ['../evil.txt', 'no'], ['notes.txt', 'hello']]));
+    const { entries, truncated } = await readZip(source);
+    expect(truncated).toBe(false);
+    expect(entries.map(e => [e.path, e.size, e.method])).toEqual([['photos/a.jpg', 3, 0], ['big.bin', 500000, 0], ['notes.txt', 5, 0]]);
+    expect(new Date(entries[0].mtime).getFullYear()).toBe(2024);
+    // The 64 KB tail and the directory, none of the big entry
+    expect(source.requested).toBeLessThan(70000);
+
+    expect(text(await zipEntryBytes(source, entries[2]))).toBe('hello');
+    expect(source.requested).toBeLessThan(70100);
+  });
+
+  test('inflates deflated entries', async () => {
+    const body = 'compress me '.repeat(50);
+    const packed = zlib.deflateRawSync(Buffer.from(body));
+    const head = new Uint8Array(30 + 5);
+    new DataView(head.buffer).setUint32(0, 0x04034b50, true);
+    new DataView(head.buffer).setUint16(26, 5, true);
+    head.set(bytes('a.txt'), 30);
+    const source = sourceOf(Uint8Array.from([...head, ...packed]));
+    const entry = { path: 'a.txt', offset: 0, csize: packed.length, size: body.length, method: 8 };
+    expect(text(await zipEntryBytes(source, entry))).toBe(body);
+    await expect(zipEntryBytes(source, { ...entry, method: 14 })).rejects.toThrow('Unsupported compression method 14');
+  });
+
+  test('rejects files without a directory', async () => {
+    await expect(readZip(sourceOf(bytes('not a zip at all')))).rejects.toThrow('Not a ZIP archive');
+  });
+});
+
+describe('tar', () => {
+  test('hops from header to header and follows long names', async () => {
+    const long = `${'deep/'.repeat(30)}photo.png`;
+    const source = sourceOf(tarOf(
+      tarEntry('docs/', '', '5'),
+      tarEntry('docs/readme.md', '# hi'),
+      tarEntry('././@LongLink', `${long}\0`, 'L'),
+      tarEntry(long.slice(0, 99), 'PNG'),
+      tarEntry('link', '', '2')
+    ));
+    const { entries, truncated } = await readTar(source);
+    expect(truncated).toBe(false);
+    expect(entries.map(e => [e.path, e.dir, e.size])).toEqual([['docs', true, 0], ['docs/readme.md', false, 4], [long, false, 3]]);
+    expect(entries[1].mtime).toBe(new Date(1714979290 * 1000).toISOString());
+    const e = entries[1];
+    expect(text(await source.read(e.offset, e.offset + e.size))).toBe('# hi');
+  });
+
+  test('rejects files that are not TARs', async () => {
+    await expect(readTar(sourceOf(new Uint8Array(2048).fill(65)))).rejects.toThrow('Not a TAR archive');
+  });
+});
+
+describe('archive folders', () => {
+  const entries = [
+    { path: 'a.jpg', size: 1 },
+    { path: 'docs', dir: true, mtime: '2024-01-01T00:00:00.000Z' },
+    { path: 'docs/x.txt', size: 2 },
+    { path: 'docs/sub/y.txt', size: 3 },
+    { path: 'implied/z.png', size: 4 }
+  ];
+  const opts = { url: 'http://example.test/a.zip', link: (p) => `#in=${p}` };
+
+  test('list one level with folders implied by deeper paths', () => {
+    const { dirs, images, files } = archiveFolder(entries, '', opts);
+    expect(dirs.map(d => [d.name, d.url, d.files, d.mtime])).toEqual([
+      ['docs', '#in=docs', 2, '2024-01-01T00:00:00.000Z'],
+      ['implied', '#in=implied', 1, undefined]
+    ]);
+    expect(images.map(it => [it.name, it.url, it.kind, it.bytes])).toEqual([['a.jpg', 'http://example.test/a.zip#a.jpg', 'img', 1]]);
+    expect(files).toEqual([]);
+  });
+
+  test('descend into a folder', () => {
+    const { dirs, files } = archiveFolder(entries, 'docs', opts);
+    expect(dirs.map(d => d.url)).toEqual(['#in=docs/sub']);
+    expect(files.map(it => [it.name, it.url, it.archive, it.entry.size])).toEqual([['x.txt', 'http://example.test/a.zip#docs/x.txt', opts.url, 2]]);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * @jest-environment jsdom
+ */
+const { diffEntries } = require('../soulful-thumbs.user.js');
+
+const entry = (href, bytes, mtime) => ({ href, name: href.replace(/\/$/, ''), kind: href.endsWith('/') ? 'dir' : 'file', bytes, mtime });
+
+describe('folder snapshots', () => {
+  test('finds new, modified and removed entries', () => {
+    const before = [
+      entry('2023/', undefined, '2024-01-01T10:00:00'),
+      entry('a.jpg', 100, '2024-01-01T10:00:00'),
+      entry('b.jpg', 200, '2024-01-01T10:00:00'),
+      entry('c.jpg', 300, '2024-01-01T10:00:00')
+    ];
+    const after = [
+      entry('2023/', undefined, '2024-03-01T08:00:00'),
+      entry('a.jpg', 100, '2024-01-01T10:00:00'),
+      entry('b.jpg', 250, '2024-01-01T10:00:00'),
+      entry('d.jpg', 400, '2024-03-01T08:00:00')
+    ];
+    expect(diffEntries(before, after).map(c => [c.change, c.entry.href])).toEqual([
+      ['modified', '2023/'],
+      ['modified', 'b.jpg'],
+      ['new', 'd.jpg'],
+      ['removed', 'c.jpg']
+    ]);
+    expect(diffEntries(before, after)[1].was.bytes).toBe(200);
+  });
+
+  test('missing sizes or dates do not count as changes', () => {
+    const before = [entry('a.jpg', 100, undefined), entry('b.jpg', undefined, '2024-01-01T10:00:00')];
+    const after = [entry('a.jpg', 100, '2024-02-01T10:00:00'), entry('b.jpg', 50, '2024-01-01T10:00:00')];
+    expect(diffEntries(before, after)).toEqual([]);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * @jest-environment jsdom
+ */
+const { pixelDiff } = require('../soulful-thumbs.user.js');
+
+const rgba = (...pixels) => Uint8ClampedArray.from(pixels.flat());
+
+describe('pixel difference', () => {
+  test('marks changed pixels in red and dims the rest', () => {
+    const a = rgba([100, 100, 100, 255], [0, 0, 0, 255], [200, 10, 10, 255]);
+    const b = rgba([110, 95, 100, 255], [0, 0, 200, 255], [200, 10, 10, 0]);
+    const out = new Uint8ClampedArray(a.length);
+    expect(pixelDiff(a, b, out)).toBe(2);
+    expect([...out.slice(0, 4)]).toEqual([30, 30, 30, 255]);
+    expect([...out.slice(4, 8)]).toEqual([228, 24, 64, 255]);
+    // A change in transparency alone still counts
+    expect(out[8]).toBe(255);
+  });
+
+  test('the threshold decides what counts as equal', () => {
+    const a = rgba([100, 100, 100, 255]);
+    const b = rgba([110, 100, 100, 255]);
+    expect(pixelDiff(a, b, new Uint8ClampedArray(4), 8)).toBe(1);
+    expect(pixelDiff(a, b, new Uint8ClampedArray(4), 10)).toBe(0);
+  });
+});
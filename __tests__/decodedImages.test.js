@@ -0,0 +1,243 @@
+/**
+ * @jest-environment jsdom
+ */
+const zlib = require('zlib');
+const { ReadableStream, DecompressionStream } = require('stream/web');
+const { TextDecoder } = require('util');
+
+// jsdom lacks streams and text codecs; Deflate strips are inflated through DecompressionStream
+global.ReadableStream = global.ReadableStream || ReadableStream;
+global.DecompressionStream = global.DecompressionStream || DecompressionStream;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const { findPreview, decodeTiff } = require('../soulful-thumbs.user.js');
+
+const ascii = (s) => Array.from(s, c => c.charCodeAt(0));
+const be32 = (n) => [n >>> 24, (n >> 16) & 255, (n >> 8) & 255, n & 255];
+const be16 = (n) => [(n >> 8) & 255, n & 255];
+
+function sourceOf(data) {
+  return { size: data.length, read: async (start, end) => data.subarray(start, Math.min(end, data.length)) };
+}
+
+// TIFF laid out as header, each IFD followed by its long values, then the blobs. Entries are
+// tag: [type, values]; a value may be { ifd: i } or { blob: j } to point at one of them.
+function tiffFile(ifds, blobs = [], little = true) {
+  const width = (type) => (type === 3 ? 2 : 4);
+  const ifdAt = [];
+  let p = 8;
+  for (const ifd of ifds) {
+    ifdAt.push(p);
+    p += 2 + Object.keys(ifd.tags).length * 12 + 4;
+    for (const [type, values] of Object.values(ifd.tags)) if (values.length * width(type) > 4) p += values.length * width(type);
+  }
+  const blobAt = blobs.map((b) => {
+    const at = p;
+    p += b.length;
+    return at;
+  });
+  const resolve = (v) => (typeof v === 'object' ? (v.ifd !== undefined ? ifdAt[v.ifd] : blobAt[v.blob]) : v);
+  const bytes = new Uint8Array(p);
+  const view = new DataView(bytes.buffer);
+  bytes.set(ascii(little ? 'II' : 'MM'));
+  view.setUint16(2, 42, little);
+  view.setUint32(4, ifdAt[0], little);
+  ifds.forEach((ifd, i) => {
+    const tags = Object.keys(ifd.tags).map(Number).sort((a, b) => a - b);
+    let e = ifdAt[i];
+    let extra = e + 2 + tags.length * 12 + 4;
+    view.setUint16(e, tags.length, little);
+    e += 2;
+    for (const tag of tags) {
+      const [type, values] = ifd.tags[tag];
+      const size = values.length * width(type);
+      view.setUint16(e, tag, little);
+      view.setUint16(e + 2, type, little);
+      view.setUint32(e + 4, values.length, little);
+      let at = e + 8;
+      if (size > 4) {
+        view.setUint32(e + 8, extra, little);
+        at = extra;
+        extra += size;
+      }
+      values.forEach((v, j) => (type === 3 ? view.setUint16(at + j * 2, resolve(v), little) : view.setUint32(at + j * 4, resolve(v), little)));
+      e += 12;
+    }
+    view.setUint32(e, ifd.next !== undefined ? ifdAt[ifd.next] : 0, little);
+  });
+  blobs.forEach((b, j) => bytes.set(b, blobAt[j]));
+  return bytes;
+}
+
+// Just enough JPEG to be told apart: an optional EXIF orientation and a frame header
+function jpegOf(width, height, { sof = 0xC0, orientation, pad = 0 } = {}) {
+  const app1 = orientation ? [0xFF, 0xE1, ...be16(2 + 6 + 26), ...ascii('Exif\0\0'), ...tiffFile([{ tags: { 0x112: [3, [orientation]] } }], [], false)] : [];
+  return Uint8Array.from([0xFF, 0xD8, ...app1, 0xFF, sof, 0, 17, 8, ...be16(height), ...be16(width), 3, ...new Array(9).fill(0), ...new Array(pad).fill(0), 0xFF, 0xD9]);
+}
+
+const box = (type, ...parts) => {
+  const body = parts.flat();
+  return [...be32(8 + body.length), ...ascii(type), ...body];
+};
+
+describe('embedded previews', () => {
+  test('TIFF-based RAWs give their largest drawable JPEG and the full size from EXIF', async () => {
+    const preview = jpegOf(1616, 1080, { pad: 3000 });
+    const lossless = jpegOf(6016, 4016, { sof: 0xC3, pad: 9000 });
+    const thumb = jpegOf(160, 120);
+    const file = tiffFile([
+      { tags: { 0x100: [4, [256]], 0x101: [4, [171]], 0x112: [3, [6]], 0x14A: [4, [{ ifd: 1 }, { ifd: 2 }]], 0x8769: [4, [{ ifd: 3 }]] } },
+      { tags: { 0x100: [4, [6016]], 0x101: [4, [4016]], 0x103: [3, [7]], 0x111: [4, [{ blob: 0 }]], 0x117: [4, [lossless.length]] } },
+      { tags: { 0x103: [3, [6]], 0x201: [4, [{ blob: 1 }]], 0x202: [4, [preview.length]] }, next: 4 },
+      { tags: { 0xA002: [4, [6000]], 0xA003: [4, [4000]] } },
+      { tags: { 0x201: [4, [{ blob: 2 }]], 0x202: [4, [thumb.length]] } }
+    ], [lossless, preview, thumb]);
+    const found = await findPreview(sourceOf(file));
+    expect(file.subarray(found.offset, found.offset + found.length)).toEqual(preview);
+    // Drawn turned by the file's orientation; the size is the picture's, upright
+    expect(found).toMatchObject({ orientation: 6, width: 4000, height: 6000 });
+  });
+
+  test('a Fujifilm RAF points at its JPEG from the header', async () => {
+    const preview = jpegOf(160, 120, { orientation: 8 });
+    const head = new Array(100).fill(0);
+    head.splice(0, 28, ...ascii('FUJIFILMCCD-RAW 0201FF129502'));
+    head.splice(84, 8, ...be32(100), ...be32(preview.length));
+    const found = await findPreview(sourceOf(Uint8Array.from([...head, ...preview])));
+    // The preview turns itself, so only the reported size is swapped
+    expect(found).toEqual({ offset: 100, length: preview.length, orientation: 1, width: 120, height: 160 });
+  });
+
+  test('HEIC uses the Exif item thumbnail and the primary item size', async () => {
+    const thumb = jpegOf(320, 240);
+    const tiff = tiffFile([
+      { tags: { 0x112: [3, [6]] }, next: 1 },
+      { tags: { 0x201: [4, [{ blob: 0 }]], 0x202: [4, [thumb.length]] } }
+    ], [thumb]);
+    const exif = [...be32(6), ...ascii('Exif\0\0'), ...tiff];
+    const layout = (mdat) => {
+      const infe = (id, type) => box('infe', [2, 0, 0, 0], be16(id), be16(0), ascii(type), 0);
+      const loc = (id, offset, length) => [...be16(id), ...be16(0), ...be16(1), ...be32(offset), ...be32(length)];
+      return [
+        ...box('ftyp', ascii('heic'), be32(0), ascii('mif1heic')),
+        ...box('meta', [0, 0, 0, 0],
+          box('pitm', [0, 0, 0, 0], be16(1)),
+          box('iinf', [0, 0, 0, 0], be16(2), infe(1, 'hvc1'), infe(2, 'Exif')),
+          box('iloc', [0, 0, 0, 0], 0x44, 0x00, be16(2), loc(1, mdat + exif.length, 4), loc(2, mdat, exif.length)),
+          box('iprp',
+            box('ipco', box('ispe', [0, 0, 0, 0], be32(4032), be32(3024))),
+            box('ipma', [0, 0, 0, 0], be32(1), be16(1), 1, 0x81))),
+        ...box('mdat', exif, [1, 2, 3, 4])
+      ];
+    };
+    const mdat = layout(0).length - (8 + exif.length + 4) + 8;
+    const file = Uint8Array.from(layout(mdat));
+    const found = await findPreview(sourceOf(file));
+    expect(file.subarray(found.offset, found.offset + found.length)).toEqual(thumb);
+    expect(found).toMatchObject({ orientation: 6, width: 3024, height: 4032 });
+  });
+
+  test('files without a drawable preview give null, unknown ones throw', async () => {
+    const raw = jpegOf(100, 100, { sof: 0xC3 });
+    const file = tiffFile([{ tags: { 0x103: [3, [7]], 0x111: [4, [{ blob: 0 }]], 0x117: [4, [raw.length]] } }], [raw]);
+    expect(await findPreview(sourceOf(file))).toBeNull();
+    await expect(findPreview(sourceOf(Uint8Array.from(ascii('GIF89a and so on'))))).rejects.toThrow('Unknown image container');
+  });
+});
+
+// TIFF flavoured LZW, as libtiff writes it: MSB first, widening once the next code passes 511
+function lzwEncode(bytes) {
+  const out = [];
+  let acc = 0;
+  let accBits = 0;
+  let bits = 9;
+  const emit = (code) => {
+    acc = (acc << bits) | code;
+    accBits += bits;
+    while (accBits >= 8) {
+      out.push((acc >>> (accBits - 8)) & 255);
+      accBits -= 8;
+    }
+    acc &= (1 << accBits) - 1;
+  };
+  const dict = new Map();
+  let next = 258;
+  let w = -1;
+  emit(256);
+  for (const c of bytes) {
+    if (w < 0) {
+      w = c;
+      continue;
+    }
+    const key = w * 256 + c;
+    if (dict.has(key)) {
+      w = dict.get(key);
+      continue;
+    }
+    emit(w);
+    dict.set(key, next++);
+    if (next > (1 << bits) - 1 && bits < 12) bits++;
+    w = c;
+  }
+  emit(w);
+  emit(257);
+  if (accBits) out.push((acc << (8 - accBits)) & 255);
+  return Uint8Array.from(out);
+}
+
+describe('TIFF decoding', () => {
+  test('uncompressed RGB strips', async () => {
+    const file = tiffFile([{ tags: {
+      256: [3, [2]], 257: [3, [2]], 258: [3, [8, 8, 8]], 262: [3, [2]], 277: [3, [3]], 278: [3, [1]],
+      273: [4, [{ blob: 0 }, { blob: 1 }]], 279: [4, [6, 6]]
+    } }], [Uint8Array.from([255, 0, 0, 0, 255, 0]), Uint8Array.from([0, 0, 255, 9, 9, 9])]);
+    const img = await decodeTiff(file.buffer);
+    expect(img).toMatchObject({ width: 2, height: 2, alpha: false });
+    expect([...img.data]).toEqual([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 9, 9, 9, 255]);
+  });
+
+  test('LZW with the horizontal predictor, big-endian', async () => {
+    const W = 64;
+    const H = 40;
+    const gray = Uint8Array.from({ length: W * H }, (_, i) => ((i % W) * (Math.floor(i / W) + 3) * 7 + (i >> 5)) & 255);
+    const diffed = gray.map((v, i) => (i % W ? (v - gray[i - 1]) & 255 : v));
+    const packed = lzwEncode(diffed);
+    const file = tiffFile([{ tags: {
+      256: [3, [W]], 257: [3, [H]], 258: [3, [8]], 259: [3, [5]], 262: [3, [1]], 273: [4, [{ blob: 0 }]], 279: [4, [packed.length]], 317: [3, [2]]
+    } }], [packed], false);
+    const img = await decodeTiff(file.buffer);
+    expect(Array.from({ length: W * H }, (_, i) => img.data[i * 4])).toEqual([...gray]);
+  });
+
+  test('Deflate tiles with alpha, clipped at the edges', async () => {
+    // 3×3 picture in 2×2 tiles; RGBA where red = x and green = y
+    const tile = (tx, ty) => Uint8Array.from({ length: 16 }, (_, i) => [tx * 2 + ((i >> 2) % 2), ty * 2 + (i >> 3), 0, 128][i % 4]);
+    const tiles = [tile(0, 0), tile(1, 0), tile(0, 1), tile(1, 1)].map(t => zlib.deflateSync(t));
+    const file = tiffFile([{ tags: {
+      256: [3, [3]], 257: [3, [3]], 258: [3, [8, 8, 8, 8]], 259: [3, [8]], 262: [3, [2]], 277: [3, [4]], 338: [3, [2]],
+      322: [3, [2]], 323: [3, [2]], 324: [4, tiles.map((_, i) => ({ blob: i }))], 325: [4, tiles.map(t => t.length)]
+    } }], tiles);
+    const img = await decodeTiff(file.buffer);
+    expect(img.alpha).toBe(true);
+    const px = (x, y) => [...img.data.slice((y * 3 + x) * 4, (y * 3 + x) * 4 + 4)];
+    expect([px(0, 0), px(2, 0), px(1, 2), px(2, 2)]).toEqual([[0, 0, 0, 128], [2, 0, 0, 128], [1, 2, 0, 128], [2, 2, 0, 128]]);
+  });
+
+  test('PackBits bilevel, white is zero', async () => {
+    // Rows of 10 pixels: 0xAA 0x80 (alternating, then one set pixel), 0xFF 0xC0 (all set)
+    const packed = Uint8Array.from([1, 0xAA, 0x80, 0xFF, 0xFF, 0x00, 0xC0]);
+    const file = tiffFile([{ tags: {
+      256: [3, [10]], 257: [3, [2]], 259: [3, [32773]], 262: [3, [0]], 273: [4, [{ blob: 0 }]], 279: [4, [packed.length]]
+    } }], [packed]);
+    const img = await decodeTiff(file.buffer);
+    const row = (y) => Array.from({ length: 10 }, (_, x) => img.data[(y * 10 + x) * 4]);
+    expect(row(0)).toEqual([0, 255, 0, 255, 0, 255, 0, 255, 0, 255]);
+    expect(row(1)).toEqual(new Array(10).fill(0));
+  });
+
+  test('rejects what it cannot decode', async () => {
+    const jpegTiff = tiffFile([{ tags: { 256: [3, [1]], 257: [3, [1]], 259: [3, [7]], 273: [4, [0]], 279: [4, [0]] } }]);
+    await expect(decodeTiff(jpegTiff.buffer)).rejects.toThrow('TIFF compression 7 is not supported');
+    await expect(decodeTiff(new Uint8Array(16).buffer)).rejects.toThrow('Not a TIFF file');
+  });
+});
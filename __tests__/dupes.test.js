@@ -0,0 +1,79 @@
+/**
+ * @jest-environment jsdom
+ */
+const { ReadableStream } = require('stream/web');
+const { TextEncoder } = require('util');
+
+global.ReadableStream = global.ReadableStream || ReadableStream;
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+const { contentHash, dHash, pHash, hamming, groupExact, groupNear } = require('../soulful-thumbs.user.js');
+
+const N = 32;
+const streamOf = (...chunks) => new ReadableStream({
+  start(controller) {
+    chunks.forEach(c => controller.enqueue(new TextEncoder().encode(c)));
+    controller.close();
+  }
+});
+// A 32×32 grayscale picture drawn from f(x, y)
+const image = (f) => Float32Array.from({ length: N * N }, (_, i) => f(i % N, Math.floor(i / N)));
+const rings = image((x, y) => 128 + 100 * Math.sin(Math.hypot(x - 16, y - 12) / 2));
+const blob = image((x, y) => 255 * Math.exp(-((x - 10) ** 2 + (y - 20) ** 2) / 60));
+const hashes = (gray) => ({ dhash: dHash(gray), phash: pHash(gray) });
+
+describe('content hash', () => {
+  test('depends on the bytes, not on how they were chunked', async () => {
+    const a = await contentHash(streamOf('hello ', 'world'));
+    expect(a).toMatch(/^[0-9a-f]{16}$/);
+    expect(await contentHash(streamOf('hel', 'lo world'))).toBe(a);
+    expect(await contentHash(streamOf('hello worle'))).not.toBe(a);
+  });
+});
+
+describe('perceptual hashes', () => {
+  test('survive brightness, contrast and noise changes', () => {
+    const tweak = (gray) => image((x, y) => gray[y * N + x] * 0.8 + 20 + ((x * 7 + y * 13) % 5) - 2);
+    for (const gray of [blob, rings]) {
+      const a = hashes(gray);
+      const b = hashes(tweak(gray));
+      expect(hamming(a.dhash, b.dhash)).toBeLessThanOrEqual(4);
+      expect(hamming(a.phash, b.phash)).toBeLessThanOrEqual(4);
+    }
+  });
+
+  test('tell different pictures apart', () => {
+    const mirrored = image((x, y) => blob[y * N + (N - 1 - x)]);
+    expect(hamming(dHash(blob), dHash(mirrored))).toBeGreaterThan(16);
+    expect(hamming(pHash(blob), pHash(rings))).toBeGreaterThan(16);
+  });
+
+  test('hamming counts differing bits', () => {
+    expect(hamming('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hamming('ffffffff00000000', '0000000000000001')).toBe(33);
+  });
+});
+
+describe('grouping', () => {
+  const item = (name) => ({ name, url: `http://example.test/${name}` });
+
+  test('exact groups need the same size and hash', () => {
+    const groups = groupExact([
+      { item: item('a.jpg'), bytes: 10, hash: 'x' },
+      { item: item('b.jpg'), bytes: 10, hash: 'y' },
+      { item: item('c.jpg'), bytes: 10, hash: 'x' },
+      { item: item('d.jpg'), bytes: 11, hash: 'x' }
+    ]);
+    expect(groups.map(g => g.map(e => e.item.name))).toEqual([['a.jpg', 'c.jpg']]);
+  });
+
+  test('near groups join chains of similar images within the tolerance', () => {
+    const groups = groupNear([
+      { item: item('a.jpg'), dhash: '0000000000000000', phash: '0000000000000000' },
+      { item: item('b.jpg'), dhash: '000000000000000f', phash: '0000000000000001' },
+      { item: item('c.jpg'), dhash: '00000000000000ff', phash: '0000000000000003' },
+      { item: item('d.jpg'), dhash: 'ffffffffffffffff', phash: '0000000000000000' }
+    ], 4);
+    expect(groups.map(g => g.map(e => e.item.name))).toEqual([['a.jpg', 'b.jpg', 'c.jpg']]);
+  });
+});
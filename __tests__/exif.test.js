@@ -0,0 +1,161 @@
+/**
+ * @jest-environment jsdom
+ */
+const { TextDecoder, TextEncoder } = require('util');
+
+// jsdom does not provide TextDecoder, which the parser uses for XMP
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const { parseExif } = require('../soulful-thumbs.user.js');
+
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8, 10: 8 };
+
+// Minimal TIFF writer: ifds[0] is IFD0, later IFDs are reachable through pointer tags
+function tiff(little, ifds) {
+  const buf = new DataView(new ArrayBuffer(4096));
+  buf.setUint16(0, little ? 0x4949 : 0x4D4D);
+  buf.setUint16(2, 42, little);
+  buf.setUint32(4, 8, little);
+
+  const offsets = [];
+  let at = 8;
+  for (const entries of ifds) {
+    offsets.push(at);
+    at += 2 + entries.length * 12 + 4;
+  }
+  let data = at;
+
+  ifds.forEach((entries, n) => {
+    let p = offsets[n];
+    buf.setUint16(p, entries.length, little);
+    p += 2;
+    for (const { tag, type, value } of entries) {
+      const values = typeof value === 'function' ? [value(offsets)] : type === 2 ? [...`${value}\0`].map(c => c.charCodeAt(0)) : [].concat(value);
+      const count = type === 2 ? values.length : type === 5 || type === 10 ? values.length / 2 : values.length;
+      const size = TYPE_SIZES[type] * count;
+      buf.setUint16(p, tag, little);
+      buf.setUint16(p + 2, type, little);
+      buf.setUint32(p + 4, count, little);
+      let w = size > 4 ? data : p + 8;
+      if (size > 4) {
+        buf.setUint32(p + 8, data, little);
+        data += size;
+      }
+      for (const v of values) {
+        if (type === 2) buf.setUint8(w++, v);
+        else if (type === 3) { buf.setUint16(w, v, little); w += 2; }
+        else { buf.setUint32(w, v, little); w += 4; }
+      }
+      p += 12;
+    }
+    buf.setUint32(p, 0, little);
+  });
+  return new Uint8Array(buf.buffer.slice(0, data));
+}
+
+const segment = (marker, payload) => {
+  const out = new Uint8Array(4 + payload.length);
+  out.set([0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF]);
+  out.set(payload, 4);
+  return out;
+};
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+};
+const ascii = (s) => new TextEncoder().encode(s);
+const jpeg = (...segments) => concat(new Uint8Array([0xFF, 0xD8]), ...segments, new Uint8Array([0xFF, 0xDA, 0, 2]));
+const exifSegment = (t) => segment(0xE1, concat(ascii('Exif\0\0'), t));
+const xmpSegment = (xml) => segment(0xE1, concat(ascii('http://ns.adobe.com/xap/1.0/\0'), ascii(xml)));
+
+const camera = (little) => tiff(little, [
+  [
+    { tag: 0x010F, type: 2, value: 'Canon' },
+    { tag: 0x0110, type: 2, value: 'Canon EOS R5' },
+    { tag: 0x0112, type: 3, value: 6 },
+    { tag: 0x8769, type: 4, value: (o) => o[1] },
+    { tag: 0x8825, type: 4, value: (o) => o[2] }
+  ],
+  [
+    { tag: 0x829A, type: 5, value: [1, 250] },
+    { tag: 0x829D, type: 5, value: [28, 10] },
+    { tag: 0x8827, type: 3, value: 400 },
+    { tag: 0x9003, type: 2, value: '2024:05:01 10:30:00' },
+    { tag: 0x9011, type: 2, value: '+02:00' },
+    { tag: 0x920A, type: 5, value: [35, 1] },
+    { tag: 0xA434, type: 2, value: 'RF 35mm F1.8 MACRO IS STM' }
+  ],
+  [
+    { tag: 1, type: 2, value: 'S' },
+    { tag: 2, type: 5, value: [33, 1, 52, 1, 30, 1] },
+    { tag: 3, type: 2, value: 'E' },
+    { tag: 4, type: 5, value: [151, 1, 12, 1, 36, 1] },
+    { tag: 6, type: 5, value: [58, 1] }
+  ]
+]);
+
+describe('parseExif', () => {
+  test('reads camera, exposure, capture time and GPS from a JPEG APP1 segment', () => {
+    const { exif, needMore } = parseExif(jpeg(exifSegment(camera(true))).buffer);
+    expect(needMore).toBe(false);
+    expect(exif).toMatchObject({
+      make: 'Canon',
+      model: 'Canon EOS R5',
+      lens: 'RF 35mm F1.8 MACRO IS STM',
+      exposure: 0.004,
+      fNumber: 2.8,
+      iso: 400,
+      focal: 35,
+      orientation: 6,
+      taken: '2024-05-01T08:30:00.000Z',
+      alt: 58
+    });
+    expect(exif.lat).toBeCloseTo(-33.875, 5);
+    expect(exif.lon).toBeCloseTo(151.21, 5);
+  });
+
+  test('handles big-endian TIFF files and capture times without an offset', () => {
+    const file = tiff(false, [
+      [{ tag: 0x0110, type: 2, value: 'DSC-RX100' }, { tag: 0x8769, type: 4, value: (o) => o[1] }],
+      [{ tag: 0x9003, type: 2, value: '2023:12:31 23:59:58' }]
+    ]);
+    const { exif } = parseExif(file.buffer);
+    expect(exif.model).toBe('DSC-RX100');
+    const d = new Date(exif.taken);
+    expect([d.getFullYear(), d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds()]).toEqual([2023, 12, 31, 23, 59, 58]);
+  });
+
+  test('falls back to XMP properties', () => {
+    const xml = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF><rdf:Description xmp:Rating="4"
+      xmp:CreateDate="2022-08-14T18:05:00+01:00" exif:GPSLatitude="51,30.5N" exif:GPSLongitude="0,7.5W" aux:Lens="50mm f/1.4">
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Harbour &amp; boats</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>Sam Doe</rdf:li></rdf:Seq></dc:creator>
+      <dc:subject><rdf:Bag><rdf:li>sea</rdf:li><rdf:li>boats</rdf:li></rdf:Bag></dc:subject>
+      </rdf:Description></rdf:RDF></x:xmpmeta>`;
+    const { exif } = parseExif(jpeg(xmpSegment(xml)).buffer);
+    expect(exif).toMatchObject({
+      rating: 4,
+      taken: '2022-08-14T17:05:00.000Z',
+      lens: '50mm f/1.4',
+      title: 'Harbour & boats',
+      creator: 'Sam Doe',
+      keywords: ['sea', 'boats']
+    });
+    expect(exif.lat).toBeCloseTo(51.508333, 5);
+    expect(exif.lon).toBeCloseTo(-0.125, 5);
+  });
+
+  test('asks for more bytes when the EXIF segment is cut off', () => {
+    const whole = jpeg(exifSegment(camera(true)));
+    expect(parseExif(whole.slice(0, 60).buffer).needMore).toBe(true);
+  });
+
+  test('returns null for images without metadata', () => {
+    expect(parseExif(jpeg(segment(0xE0, ascii('JFIF\0'))).buffer)).toEqual({ exif: null, needMore: false });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { LISTING_ADAPTERS, registerAdapter, pickAdapter, looksLikeAutoIndex, parseIndex, parseSize, parseDate, parseMachineListing, siblingUrl } = require('../soulful-thumbs.user.js');
+
+const read = (file) => fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8');
+const load = (name) => new DOMParser().parseFromString(read(`${name}.html`), 'text/html');
+const names = (items) => items.map((it) => it.name);
+// Listings without a zone are local time, so compare through local getters
+const local = (iso) => {
+  const d = new Date(iso);
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes()];
+};
+
+describe('listing adapters', () => {
+  test('apache <pre> listing', () => {
+    const doc = load('apache-pre');
+    expect(pickAdapter(doc).name).toBe('apache');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/photos/');
+    expect(names(dirs)).toEqual(['2023']);
+    expect(dirs[0].url).toBe('http://example.test/photos/2023/');
+    expect(local(dirs[0].mtime)).toEqual([2024, 1, 5, 9, 12]);
+    expect(names(images)).toEqual(['IMG_0001.jpg', 'IMG_0010.jpg']);
+    expect(images.map((it) => it.bytes)).toEqual([1258291, 819200]);
+    expect(local(images[1].mtime)).toEqual([2024, 1, 3, 11, 45]);
+    expect(files.map((it) => [it.name, it.kind, it.bytes])).toEqual([
+      ['clip.mp4', 'video', 12582912],
+      ['report.pdf', 'pdf', 5120]
+    ]);
+  });
+
+  test('apache table listing', () => {
+    const doc = load('apache-table');
+    expect(pickAdapter(doc).name).toBe('apache');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/assets/');
+    expect(names(dirs)).toEqual(['icons']);
+    expect(names(images)).toEqual(['logo@2x.png']);
+    expect(images[0].bytes).toBe(24576);
+    expect(local(images[0].mtime)).toEqual([2024, 2, 3, 14, 20]);
+    expect(files.map((it) => [it.name, it.bytes])).toEqual([['bundle.zip', 3670016]]);
+  });
+
+  test('nginx autoindex with truncated names', () => {
+    const doc = load('nginx');
+    expect(pickAdapter(doc).name).toBe('nginx');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/media/');
+    expect(names(dirs)).toEqual(['holiday']);
+    expect(local(dirs[0].mtime)).toEqual([2024, 3, 5, 16, 2]);
+    expect(names(images)).toEqual(['a very long file name that nginx truncates.jpg']);
+    expect(images[0].bytes).toBe(2048000);
+    expect(files.map((it) => [it.name, it.kind, it.bytes])).toEqual([
+      ['readme.pdf', 'pdf', 1234],
+      ['song.flac', 'audio', 31457280]
+    ]);
+  });
+
+  test('nginx fancyindex', () => {
+    const doc = load('fancyindex');
+    expect(pickAdapter(doc).name).toBe('fancyindex');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/downloads/');
+    expect(names(dirs)).toEqual(['iso']);
+    expect(images.map((it) => [it.name, it.bytes])).toEqual([['banner.webp', 57651]]);
+    expect(local(images[0].mtime)).toEqual([2024, 4, 11, 9, 30]);
+    expect(files.map((it) => [it.name, it.bytes])).toEqual([['tools.tar.gz', 1572864]]);
+  });
+
+  test('lighttpd mod_dirlisting', () => {
+    const doc = load('lighttpd');
+    expect(pickAdapter(doc).name).toBe('lighttpd');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/pub/');
+    expect(names(dirs)).toEqual(['scans']);
+    expect(images.map((it) => [it.name, it.bytes])).toEqual([['page-01.png', 2097152]]);
+    expect(local(images[0].mtime)).toEqual([2024, 5, 2, 8, 30]);
+    expect(files.map((it) => [it.name, it.bytes])).toEqual([['backup.7z', 12698]]);
+  });
+
+  test('caddy file_server browse', () => {
+    const doc = load('caddy');
+    expect(pickAdapter(doc).name).toBe('caddy');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/shared/');
+    expect(names(dirs)).toEqual(['Design']);
+    expect(dirs[0].mtime).toBe('2024-06-01T12:00:00.000Z');
+    expect(images.map((it) => [it.name, it.bytes, it.mtime])).toEqual([['poster final.jpg', 345678, '2024-06-02T15:30:00.000Z']]);
+    expect(files.map((it) => [it.name, it.kind, it.bytes])).toEqual([['demo.webm', 'video', 9876543]]);
+  });
+
+  test('IIS directory browsing', () => {
+    const doc = load('iis');
+    expect(pickAdapter(doc).name).toBe('iis');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/public/');
+    expect(names(dirs)).toEqual(['Archive']);
+    expect(local(dirs[0].mtime)).toEqual([2024, 1, 15, 9, 5]);
+    expect(images.map((it) => [it.name, it.bytes])).toEqual([['chart.gif', 524288]]);
+    expect(local(images[0].mtime)).toEqual([2024, 1, 16, 14, 30]);
+    expect(files.map((it) => [it.name, it.bytes])).toEqual([['manual.pdf', 10485760]]);
+    expect(local(files[0].mtime)).toEqual([2023, 12, 31, 23, 59]);
+  });
+
+  test('python http.server', () => {
+    const doc = load('python');
+    expect(pickAdapter(doc).name).toBe('python');
+    const { dirs, images, files } = parseIndex(doc, 'http://example.test/data/');
+    expect(names(dirs)).toEqual(['raw']);
+    expect(names(images)).toEqual(['sample one.png']);
+    expect(files.map((it) => [it.name, it.kind])).toEqual([['talk.m4a', 'audio']]);
+  });
+
+  test('h5ai', () => {
+    const doc = load('h5ai');
+    expect(pickAdapter(doc).name).toBe('h5ai');
+    const { dirs, images } = parseIndex(doc, 'http://example.test/gallery/');
+    expect(names(dirs)).toEqual(['2024']);
+    expect(dirs[0].mtime).toBe('2024-06-01T10:00:00.000Z');
+    expect(images.map((it) => [it.name, it.bytes])).toEqual([['sunset.avif', 204800]]);
+  });
+
+  test('ordinary pages are not treated as listings', () => {
+    expect(looksLikeAutoIndex(load('not-a-listing'))).toBe(false);
+  });
+
+  test('registered adapters take part in detection', () => {
+    const doc = load('not-a-listing');
+    const images = [{ kind: 'img', name: 'beach.jpg', url: 'http://example.test/photos/beach.jpg', ext: 'jpg' }];
+    registerAdapter({
+      name: 'blog',
+      detect: (d) => (d.title === 'Our Blog' ? 0.99 : 0),
+      parse: () => ({ dirs: [], images, files: [] })
+    });
+    try {
+      expect(pickAdapter(doc).name).toBe('blog');
+      expect(parseIndex(doc, 'http://example.test/').images).toBe(images);
+    } finally {
+      LISTING_ADAPTERS.pop();
+    }
+    expect(LISTING_ADAPTERS.some((a) => a.name === 'blog')).toBe(false);
+  });
+});
+
+describe('machine-readable listings', () => {
+  const expectExact = ({ dirs, images, files }) => {
+    expect(dirs.map((it) => [it.name, it.url, it.mtime])).toEqual([
+      ['holiday', 'http://example.test/media/holiday/', '2024-03-05T16:02:11.000Z']
+    ]);
+    expect(images.map((it) => [it.name, it.bytes, it.mtime])).toEqual([
+      ['a very long file name that nginx truncates.jpg', 2048123, '2024-03-06T08:15:42.000Z']
+    ]);
+    expect(files.map((it) => [it.name, it.kind, it.url, it.bytes])).toEqual([
+      ['notes #1.pdf', 'pdf', 'http://example.test/media/notes%20%231.pdf', 1234],
+      ['song.flac', 'audio', 'http://example.test/media/song.flac', 31457280]
+    ]);
+  };
+
+  test('nginx autoindex_format json', () => {
+    expectExact(parseMachineListing(read('nginx.json'), 'http://example.test/media/', 'application/json'));
+  });
+
+  test('nginx autoindex_format xml', () => {
+    expectExact(parseMachineListing(read('nginx.xml'), 'http://example.test/media/', 'text/xml'));
+  });
+
+  test('the format is sniffed when the content type is generic', () => {
+    expectExact(parseMachineListing(read('nginx.json'), 'http://example.test/media/', 'text/plain'));
+    expectExact(parseMachineListing(read('nginx.xml'), 'http://example.test/media/', ''));
+  });
+
+  test('other JSON and XML documents are not listings', () => {
+    expect(parseMachineListing('{"ok":true}', 'http://example.test/', 'application/json')).toBeNull();
+    expect(parseMachineListing('<rss></rss>', 'http://example.test/', 'application/xml')).toBeNull();
+  });
+
+  test('sibling URLs come from the per-host template', () => {
+    expect(siblingUrl('http://example.test/media/')).toBeNull();
+    localStorage.setItem('ntb:siblings', JSON.stringify({ 'example.test': '/json{path}', 'other.test': '{dir}?format=xml' }));
+    try {
+      expect(siblingUrl('http://example.test/media/index.html')).toBe('http://example.test/json/media/');
+      expect(siblingUrl('http://other.test/a%20b/?C=M;O=A')).toBe('http://other.test/a%20b/?format=xml');
+      expect(siblingUrl('http://third.test/media/')).toBeNull();
+    } finally {
+      localStorage.removeItem('ntb:siblings');
+    }
+  });
+});
+
+describe('listing value parsers', () => {
+  test('parseSize understands units and raw byte counts', () => {
+    expect(parseSize('1234')).toBe(1234);
+    expect(parseSize('1.5K')).toBe(1536);
+    expect(parseSize('2 MiB')).toBe(2097152);
+    expect(parseSize('1 GB')).toBe(1073741824);
+    expect(parseSize('-')).toBeUndefined();
+  });
+
+  test('parseDate covers the common listing formats', () => {
+    expect(local(parseDate('2024-01-02 10:30'))).toEqual([2024, 1, 2, 10, 30]);
+    expect(local(parseDate('02-Jan-2024 10:30'))).toEqual([2024, 1, 2, 10, 30]);
+    expect(local(parseDate('2024-Jan-02 10:30:15'))).toEqual([2024, 1, 2, 10, 30]);
+    expect(local(parseDate('1/2/2024 10:30 PM'))).toEqual([2024, 1, 2, 22, 30]);
+    expect(parseDate('2024-01-02T10:30:00Z')).toBe('2024-01-02T10:30:00.000Z');
+    expect(parseDate('no date here')).toBeUndefined();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment jsdom
+ */
+const { parseQuery, fuzzyScore } = require('../soulful-thumbs.user.js');
+
+const items = [
+  { kind: 'dir', name: '2024', url: 'http://example.test/2024/', mtime: '2024-02-01T10:00:00' },
+  { kind: 'img', name: 'beach day.jpg', ext: 'jpg', bytes: 6291456, url: 'http://example.test/beach%20day.jpg', mtime: '2024-03-10T12:00:00' },
+  { kind: 'img', name: 'IMG_0042.PNG', ext: 'png', bytes: 1048576, url: 'http://example.test/IMG_0042.PNG', mtime: '2023-12-31T23:00:00' },
+  { kind: 'video', name: 'clip.mp4', ext: 'mp4', url: 'http://example.test/clip.mp4', mtime: '2024-07-01T09:00:00' },
+  { kind: 'pdf', name: 'notes.pdf', ext: 'pdf', bytes: 2048, url: 'http://example.test/notes.pdf' }
+];
+const meta = {
+  'http://example.test/beach%20day.jpg': { width: 4000, height: 3000, taken: '2023-08-14T17:05:00Z' },
+  'http://example.test/IMG_0042.PNG': { width: 1920, height: 1080 },
+  'http://example.test/clip.mp4': { size: 12582912 },
+  'http://example.test/notes.pdf': { pages: 14 }
+};
+const run = (q) => {
+  const { test, error } = parseQuery(q);
+  expect(error).toBeNull();
+  return items.filter(it => test(it, meta[it.url] || {})).map(it => it.name);
+};
+
+describe('filter query language', () => {
+  test('bare words and quoted phrases match names', () => {
+    expect(run('')).toHaveLength(items.length);
+    expect(run('img')).toEqual(['IMG_0042.PNG']);
+    expect(run('"beach day"')).toEqual(['beach day.jpg']);
+    expect(run('name:/^img_\\d+/i')).toEqual(['IMG_0042.PNG']);
+  });
+
+  test('global and sticky regex flags do not carry state between names', () => {
+    const { test } = parseQuery('name:/img/giy');
+    const names = ['IMG_1.jpg', 'IMG_2.jpg', 'IMG_3.jpg', 'IMG_4.jpg'].map(name => ({ kind: 'img', name }));
+    expect(names.map(it => test(it, {}))).toEqual([true, true, true, true]);
+  });
+
+  test('ext and type fields take lists', () => {
+    expect(run('ext:jpg,png')).toEqual(['beach day.jpg', 'IMG_0042.PNG']);
+    expect(run('type:dir,video')).toEqual(['2024', 'clip.mp4']);
+    expect(run('type:image')).toEqual(['beach day.jpg', 'IMG_0042.PNG']);
+  });
+
+  test('sizes and megapixels compare against listing and cached metadata', () => {
+    expect(run('size:>5MB')).toEqual(['beach day.jpg', 'clip.mp4']);
+    expect(run('size:1MB..6MB')).toEqual(['beach day.jpg', 'IMG_0042.PNG']);
+    expect(run('mp:>12')).toEqual([]);
+    expect(run('mp:>=12')).toEqual(['beach day.jpg']);
+    expect(run('mp:<5')).toEqual(['IMG_0042.PNG']);
+  });
+
+  test('type:file still covers text and other non-media files', () => {
+    const { test } = parseQuery('type:file');
+    expect([{ kind: 'text', name: 'a.csv' }, { kind: 'file', name: 'b.zip' }, { kind: 'audio', name: 'c.mp3' }].map(it => test(it, {}))).toEqual([true, true, false]);
+    expect(parseQuery('type:text').test({ kind: 'file', name: 'b.zip' }, {})).toBe(false);
+  });
+
+  test('PDFs have their own type and filter by page count', () => {
+    expect(run('type:pdf')).toEqual(['notes.pdf']);
+    expect(run('type:file')).toEqual(['notes.pdf']);
+    expect(run('pages:>10')).toEqual(['notes.pdf']);
+    expect(run('pages:<10')).toEqual([]);
+  });
+
+  test('dates cover whole periods and open ranges', () => {
+    expect(run('date:2024-01..2024-06')).toEqual(['2024', 'beach day.jpg']);
+    expect(run('date:2024')).toEqual(['2024', 'beach day.jpg', 'clip.mp4']);
+    expect(run('date:<2024')).toEqual(['IMG_0042.PNG']);
+    expect(run('date:2024-03..')).toEqual(['beach day.jpg', 'clip.mp4']);
+    expect(run('taken:2023-08')).toEqual(['beach day.jpg']);
+  });
+
+  test('a leading minus negates, and unknown values pass negations', () => {
+    expect(run('-type:dir -ext:jpg')).toEqual(['IMG_0042.PNG', 'clip.mp4', 'notes.pdf']);
+    expect(run('-size:>1KB')).toEqual(['2024']);
+    expect(run('type:img -"beach"')).toEqual(['IMG_0042.PNG']);
+  });
+
+  test('plain words can be handed to a fuzzy search instead', () => {
+    const q = parseQuery('beach -draft ext:jpg', { words: false });
+    expect(q.words).toEqual(['beach']);
+    expect([...q.fields]).toEqual(['ext']);
+    expect(items.filter(it => q.test(it, {})).map(it => it.name)).toEqual(['beach day.jpg']);
+  });
+
+  test('errors point at the offending term', () => {
+    expect(parseQuery('ext:jpg colour:red').error).toEqual({ message: 'Unknown field "colour:"', at: 8 });
+    expect(parseQuery('size:>big').error.message).toBe('size: expected a size like 5MB, got "big"');
+    expect(parseQuery('date:2024-13x').error.message).toMatch(/^date: expected a date/);
+    expect(parseQuery('"open phrase').error).toEqual({ message: 'Unclosed quote', at: 0 });
+    expect(parseQuery('name:/(/').error.message).toMatch(/^Bad regular expression/);
+    expect(parseQuery('type:blob').error.message).toMatch(/^type: expected one of/);
+    expect(parseQuery('ext:').error.message).toBe('Missing value after ext:');
+  });
+});
+
+describe('fuzzy site search scoring', () => {
+  const rank = (needle, names) => names
+    .map(n => [n, fuzzyScore(needle, n.toLowerCase())])
+    .filter(([, s]) => s >= 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([n]) => n);
+
+  test('whole names beat word starts, which beat inner substrings and scattered letters', () => {
+    expect(rank('beach', ['sunset-beach.jpg', 'beach', 'longbeach.png', 'b-e-a-c-h.txt', 'notes.txt'])).toEqual([
+      'beach', 'sunset-beach.jpg', 'longbeach.png', 'b-e-a-c-h.txt'
+    ]);
+  });
+
+  test('subsequences match with tighter runs ranking higher', () => {
+    expect(fuzzyScore('img42', 'img_0042.png')).toBeGreaterThan(fuzzyScore('img42', 'i_m_g_4_2.png'));
+    expect(fuzzyScore('xyz', 'img_0042.png')).toBe(-1);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment jsdom
+ */
+const { parseIndex, highlightCode, renderMarkdown, parseDelimited, sniffDelimiter, columnStats } = require('../soulful-thumbs.user.js');
+
+const BASE = 'http://example.test/data/';
+
+describe('text files in listings', () => {
+  test('text, data and source files are kept with their own kind', () => {
+    const doc = new DOMParser().parseFromString(`<title>Index of /data</title><h1>Index of /data</h1><pre>
+<a href="../">Parent Directory</a>
+<a href="README.md">README.md</a>   2024-01-02 10:00  1.2K
+<a href="runs.csv">runs.csv</a>     2024-01-02 10:00  40K
+<a href="train.py">train.py</a>     2024-01-02 10:00  3K
+<a href="weights.bin">weights.bin</a>  2024-01-02 10:00  1G
+</pre>`, 'text/html');
+    const { files } = parseIndex(doc, BASE);
+    expect(files.map(it => [it.name, it.kind])).toEqual([['README.md', 'text'], ['runs.csv', 'text'], ['train.py', 'text']]);
+  });
+});
+
+describe('markdown', () => {
+  test('renders blocks and inline markup', () => {
+    const html = renderMarkdown([
+      '# Title',
+      '',
+      'Some **bold**, *em* and `a<b>` text.',
+      '',
+      '- one',
+      '- [x] done',
+      '  - nested',
+      '',
+      '| a | b |',
+      '|---|--:|',
+      '| 1 | 2 |',
+      '',
+      '```py',
+      'x = 1  # set',
+      '```'
+    ].join('\n'), BASE);
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<p>Some <strong>bold</strong>, <em>em</em> and <code>a&lt;b&gt;</code> text.</p>');
+    expect(html).toContain('<ul><li>one</li><li><input type="checkbox" disabled checked> <p>done</p>\n<ul><li>nested</li></ul></li></ul>');
+    expect(html).toContain('<table><thead><tr><th>a</th><th style="text-align:right">b</th></tr></thead><tbody><tr><td>1</td><td style="text-align:right">2</td></tr></tbody></table>');
+    expect(html).toContain('<span class="ntb-tok-num">1</span>  <span class="ntb-tok-com"># set</span>');
+  });
+
+  test('escapes raw HTML and keeps only safe URLs', () => {
+    const html = renderMarkdown('<script>alert(1)</script> [x](javascript:alert(1)) [doc](notes/a.md) ![p](img.png) [top](#top)', BASE);
+    expect(html).not.toContain('<script');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('javascript:');
+    expect(html).toContain(`<a href="${BASE}notes/a.md" target="_blank" rel="noopener noreferrer">doc</a>`);
+    expect(html).toContain(`<img src="${BASE}img.png" alt="p" loading="lazy">`);
+    expect(html).toContain(' top</p>');
+  });
+});
+
+describe('delimited data', () => {
+  test('quoted fields may hold delimiters, quotes and line breaks', () => {
+    expect(parseDelimited('a,b\r\n"x, y","say ""hi"""\n"multi\nline",2\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+      ['multi\nline', '2']
+    ]);
+    expect(parseDelimited('a;b\n1;', ';')).toEqual([['a', 'b'], ['1', '']]);
+  });
+
+  test('the delimiter is sniffed from the header', () => {
+    expect(sniffDelimiter('a;b;c\n1,5;2;3')).toBe(';');
+    expect(sniffDelimiter('a\tb\n')).toBe('\t');
+    expect(sniffDelimiter('single')).toBe(',');
+  });
+
+  test('column stats tell numbers from text', () => {
+    const [num, text] = columnStats([['1', 'cat'], ['4', 'dog'], ['', 'cat'], ['2.5', 'cat']], 2);
+    expect(num).toMatchObject({ numeric: true, min: 1, max: 4, mean: 2.5, empty: 1 });
+    expect(text).toMatchObject({ numeric: false, unique: 2, top: { value: 'cat', count: 3 } });
+  });
+});
+
+describe('code highlighting', () => {
+  test('wraps tokens and escapes everything else', () => {
+    expect(highlightCode('if (a < "b") return 0x1F; // done', 'js')).toBe(
+      '<span class="ntb-tok-kw">if</span> (a &lt; <span class="ntb-tok-str">&quot;b&quot;</span>) ' +
+      '<span class="ntb-tok-kw">return</span> <span class="ntb-tok-num">0x1F</span>; <span class="ntb-tok-com">// done</span>');
+    expect(highlightCode('SELECT 1 -- x', 'sql')).toBe('<span class="ntb-tok-kw">SELECT</span> <span class="ntb-tok-num">1</span> <span class="ntb-tok-com">-- x</span>');
+    expect(highlightCode('<b>&</b>', 'txt')).toBe('&lt;b&gt;&amp;&lt;/b&gt;');
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment jsdom
+ */
+const { createVirtualWindow } = require('../soulful-thumbs.user.js');
+
+// jsdom has no layout: give every card a height and lay rows out from the container's top
+const ROW = 100;
+const GAP = 10;
+let scrollY = 0;
+beforeAll(() => {
+  Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+    configurable: true,
+    get() { return this.classList.contains('card') ? ROW : 0; }
+  });
+  window.innerHeight = 500;
+  window.scrollTo = (x, y) => { scrollY = y; };
+});
+afterAll(() => {
+  delete HTMLElement.prototype.offsetHeight;
+});
+
+function gridOf(count, columns) {
+  const container = document.createElement('div');
+  container.style.gridTemplateColumns = Array(columns).fill('100px').join(' ');
+  container.style.rowGap = `${GAP}px`;
+  container.getBoundingClientRect = () => ({ top: -scrollY });
+  document.body.replaceChildren(container);
+  const items = Array.from({ length: count }, (_, i) => ({ n: i }));
+  const render = (it) => {
+    const el = document.createElement('div');
+    el.className = 'card';
+    el.textContent = it.n;
+    return el;
+  };
+  return { container, win: createVirtualWindow({ container, items, render, grid: true, estimate: ROW }) };
+}
+
+const shown = (container) => [...container.children].map(el => Number(el.textContent));
+
+describe('virtual window', () => {
+  beforeEach(() => { scrollY = 0; });
+
+  test('renders only the rows near the viewport and pads for the rest', () => {
+    const { container } = gridOf(1000, 4);
+    // 500px viewport / 110px rows -> 5 rows, plus 3 overscan
+    expect(shown(container)).toEqual(Array.from({ length: 32 }, (_, i) => i));
+    expect(container.style.gridAutoRows).toBe('100px');
+    expect(container.style.paddingTop).toBe('0px');
+    expect(container.style.paddingBottom).toBe(`${(250 - 8) * 110}px`);
+  });
+
+  test('follows the scroll position and reuses elements still in range', () => {
+    const { container, win } = gridOf(1000, 4);
+    scrollY = 110 * 20;
+    win.update();
+    expect(shown(container)).toEqual(Array.from({ length: 44 }, (_, i) => i + 17 * 4));
+    expect(container.style.paddingTop).toBe(`${17 * 110}px`);
+    const kept = container.children[0];
+    scrollY = 110 * 18;
+    win.update();
+    expect(shown(container)).toEqual(Array.from({ length: 44 }, (_, i) => i + 15 * 4));
+    expect(container.children[8]).toBe(kept);
+    scrollY = 110 * 2;
+    win.update();
+    expect(shown(container)).toEqual(Array.from({ length: 40 }, (_, i) => i));
+  });
+
+  test('reveal scrolls a row that is not rendered to a third of the way down', () => {
+    const { container, win } = gridOf(1000, 4);
+    win.reveal(5);
+    expect(scrollY).toBe(0);
+    win.reveal(401);
+    expect(scrollY).toBeCloseTo(100 * 110 - 500 / 3);
+    expect(shown(container)).toContain(401);
+  });
+
+  test('picks up a new column count on refresh', () => {
+    const { container, win } = gridOf(100, 4);
+    container.style.gridTemplateColumns = '100px 100px';
+    win.refresh();
+    expect(shown(container)).toHaveLength(16);
+  });
+
+  test('renders everything when rows have no measurable height', () => {
+    const container = document.createElement('div');
+    document.body.replaceChildren(container);
+    const items = Array.from({ length: 50 }, (_, i) => ({ n: i }));
+    createVirtualWindow({ container, items, grid: false, estimate: 40, render: (it) => {
+      const el = document.createElement('div');
+      el.textContent = it.n;
+      return el;
+    } });
+    // Two spacers around the rows
+    expect(container.children).toHaveLength(52);
+  });
+});
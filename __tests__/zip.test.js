@@ -0,0 +1,187 @@
+/**
+ * @jest-environment jsdom
+ */
+const fs = require('fs');
+const path = require('path');
+const { ReadableStream } = require('stream/web');
+const { TextDecoder, TextEncoder } = require('util');
+
+// jsdom lacks streams and text codecs, which the ZIP writer streams through
+global.ReadableStream = global.ReadableStream || ReadableStream;
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const { crc32, zipStream, treeEntries, aria2ListText } = require('../soulful-thumbs.user.js');
+
+const bytes = (s) => new TextEncoder().encode(s);
+const streamOf = (...chunks) => new ReadableStream({
+  start(controller) {
+    chunks.forEach(c => controller.enqueue(bytes(c)));
+    controller.close();
+  }
+});
+
+async function collect(stream) {
+  const parts = [];
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parts.push(value);
+  }
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
+
+// Walk the central directory the way an unzip tool would
+function readZip(buf) {
+  const view = new DataView(buf.buffer);
+  const eocd = buf.length - 22;
+  expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(p, true)).toBe(0x02014b50);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const local = view.getUint32(p + 42, true);
+    const size = view.getUint32(p + 20, true);
+    const name = new TextDecoder().decode(buf.slice(p + 46, p + 46 + nameLen));
+    expect(view.getUint32(local, true)).toBe(0x04034b50);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    entries.push({
+      name,
+      flags: view.getUint16(p + 8, true),
+      crc: view.getUint32(p + 16, true),
+      size,
+      text: new TextDecoder().decode(buf.slice(start, start + size))
+    });
+    p += 46 + nameLen + extraLen;
+  }
+  return entries;
+}
+
+describe('zip writer', () => {
+  test('crc32 matches the reference value and can be chained', () => {
+    expect(crc32(0, bytes('hello'))).toBe(0x3610A686);
+    expect(crc32(crc32(0, bytes('hel')), bytes('lo'))).toBe(0x3610A686);
+  });
+
+  test('streams stored entries with UTF-8 names and folder paths', async () => {
+    const seen = [];
+    const zip = await collect(zipStream([
+      { path: 'hello.txt', date: '2024-05-01T10:30:00Z', data: async () => streamOf('hel', 'lo') },
+      { path: 'Fotos/Straße 1.txt', data: async () => streamOf('') }
+    ], { onEntry: (e) => seen.push(e.path) }));
+
+    expect(seen).toEqual(['hello.txt', 'Fotos/Straße 1.txt']);
+    expect(readZip(zip)).toEqual([
+      { name: 'hello.txt', flags: 0x0808, crc: 0x3610A686, size: 5, text: 'hello' },
+      { name: 'Fotos/Straße 1.txt', flags: 0x0808, crc: 0, size: 0, text: '' }
+    ]);
+  });
+
+  test('an entry cut short keeps its bytes but fails its CRC check', async () => {
+    let sent = false;
+    const broken = new ReadableStream({
+      pull(controller) {
+        if (sent) controller.error(new Error('Connection reset'));
+        else controller.enqueue(bytes('part'));
+        sent = true;
+      }
+    });
+    const errors = [];
+    const zip = await collect(zipStream([{ path: 'a.bin', data: async () => broken }], { onError: (entry, err) => errors.push(err.message) }));
+    const [entry] = readZip(zip);
+    expect(errors).toEqual(['Connection reset']);
+    expect(entry.text).toBe('part');
+    expect(entry.crc).not.toBe(crc32(0, bytes('part')));
+  });
+
+  test('a failing entry errors the stream', async () => {
+    const stream = zipStream([{ path: 'a.jpg', data: async () => { throw new Error('HTTP 404'); } }]);
+    await expect(collect(stream)).rejects.toThrow('HTTP 404');
+  });
+});
+
+describe('folder downloads', () => {
+  const site = {
+    'http://example.test/photos/': fs.readFileSync(path.join(__dirname, 'fixtures', 'apache-pre.html'), 'utf8'),
+    'http://example.test/photos/2023/': fs.readFileSync(path.join(__dirname, 'fixtures', 'python.html'), 'utf8'),
+    'http://example.test/photos/IMG_0001.jpg': 'one',
+    'http://example.test/photos/2023/sample%20one.png': 'png'
+  };
+  const fetched = [];
+  beforeEach(() => {
+    fetched.length = 0;
+    global.fetch = async (url) => {
+      fetched.push(url);
+      const body = site[url];
+      const type = url.endsWith('/') ? 'text/html' : 'application/octet-stream';
+      return {
+        ok: body !== undefined,
+        status: body === undefined ? 404 : 200,
+        url,
+        headers: { get: () => type },
+        text: async () => body,
+        body: body === undefined ? null : streamOf(body)
+      };
+    };
+  });
+  afterEach(() => { delete global.fetch; });
+
+  test('walks subfolders to the depth limit and keeps relative paths', async () => {
+    const entries = [];
+    const accept = (it) => /\.(jpg|png)$/.test(it.name);
+    for await (const e of treeEntries([{ kind: 'dir', url: 'http://example.test/photos/' }], 'http://example.test/', { maxDepth: 1, accept })) {
+      entries.push(e.path);
+    }
+    expect(entries).toEqual(['photos/IMG_0001.jpg', 'photos/IMG_0010.jpg', 'photos/2023/sample one.png']);
+    expect(fetched).not.toContain('http://example.test/photos/2023/raw/');
+  });
+
+  test('a folder given together with its subfolder or files adds each file once', async () => {
+    const entries = [];
+    const items = [
+      { kind: 'img', name: 'IMG_0001.jpg', url: 'http://example.test/photos/IMG_0001.jpg' },
+      { kind: 'dir', url: 'http://example.test/photos/' },
+      { kind: 'dir', url: 'http://example.test/photos/2023/' }
+    ];
+    for await (const e of treeEntries(items, 'http://example.test/', { maxDepth: 1, accept: (it) => /\.(jpg|png)$/.test(it.name) })) {
+      entries.push(e.path);
+    }
+    expect(entries).toEqual(['photos/IMG_0001.jpg', 'photos/IMG_0010.jpg', 'photos/2023/sample one.png']);
+  });
+
+  test('failed files are reported and left out of the archive', async () => {
+    const errors = [];
+    const zip = await collect(zipStream(
+      treeEntries([{ kind: 'dir', url: 'http://example.test/photos/' }], 'http://example.test/photos/', { maxDepth: 0, accept: (it) => it.ext === 'jpg' }),
+      { onError: (entry, err) => errors.push([entry.path, err.message]) }));
+    expect(errors).toEqual([['IMG_0010.jpg', 'HTTP 404']]);
+    expect(readZip(zip).map(e => [e.name, e.text])).toEqual([['IMG_0001.jpg', 'one']]);
+  });
+});
+
+describe('download lists', () => {
+  test('aria2 input keeps names and folders relative to the listing', () => {
+    const text = aria2ListText([
+      { url: 'http://example.test/photos/a%20b.jpg' },
+      { url: 'http://example.test/photos/2024/IMG_1.jpg' }
+    ], 'http://example.test/photos/index.html');
+    expect(text).toBe([
+      'http://example.test/photos/a%20b.jpg',
+      '  out=a b.jpg',
+      'http://example.test/photos/2024/IMG_1.jpg',
+      '  out=IMG_1.jpg',
+      '  dir=2024',
+      ''
+    ].join('\n'));
+  });
+});